@@ -1,4 +1,6 @@
-window.SPY_DATA=[
+window.MARKET_DATA={
+"SPY":{
+"5m":[
 ["2025-11-13", [680.06, 678.85, 677.77, 678.18, 678.52, 678.8, 678.17, 679.95, 680.43, 680.05, 679.72, 678.94, 677.79, 677.74, 677.25, 676.21, 675.59, 676.48, 675.83, 676.01, 675.88, 675.6, 675.25, 675.73, 676.37, 674.82, 674.51, 675.0, 674.79, 675.19, 675.57, 674.72, 674.58, 675.12, 675.73, 675.92, 676.15, 676.14, 675.12, 674.84, 674.81, 674.15, 674.18, 674.14, 674.48, 673.64, 673.52, 672.83, 672.46, 671.8, 672.55, 672.49, 672.32, 672.69, 672.11, 672.15, 671.72, 671.94, 672.67, 673.54, 673.3, 672.76, 672.4, 671.85, 671.38, 671.69, 671.27, 671.87, 671.61, 671.18, 671.23, 671.63, 672.03, 672.64, 672.34, 671.54, 670.82, 672.05]],
 ["2025-11-14", [663.61, 665.98, 666.72, 667.85, 668.06, 668.69, 667.57, 668.38, 667.55, 668.39, 668.21, 669.79, 669.77, 670.92, 671.07, 672.28, 672.31, 672.24, 671.34, 671.72, 672.12, 672.97, 673.94, 674.4, 673.8, 674.7, 673.92, 674.11, 674.52, 674.74, 674.84, 674.94, 675.26, 675.27, 675.05, 675.05, 674.69, 675.48, 674.81, 673.95, 674.17, 674.04, 672.59, 673.29, 674.29, 673.05, 672.62, 673.13, 673.37, 672.24, 671.67, 671.85, 673.54, 673.25, 672.97, 672.63, 673.05, 673.17, 674.31, 674.02, 673.85, 674.22, 674.12, 674.2, 674.47, 674.65, 674.82, 673.97, 673.7, 673.0, 672.65, 672.65, 672.84, 672.59, 672.07, 671.22, 671.66, 671.95]],
 ["2025-11-17", [671.14, 672.62, 671.98, 672.78, 673.5, 672.76, 671.56, 670.88, 671.74, 670.76, 671.33, 672.06, 670.98, 670.59, 671.7, 671.15, 671.16, 670.71, 670.27, 669.23, 668.67, 668.09, 668.6, 670.47, 670.84, 671.25, 671.72, 672.1, 672.52, 672.95, 672.53, 672.59, 672.42, 672.12, 672.21, 672.31, 672.34, 671.52, 670.92, 670.77, 669.73, 669.22, 668.56, 668.57, 669.0, 669.09, 668.78, 668.71, 668.4, 668.43, 668.83, 669.12, 668.13, 666.56, 666.16, 666.41, 665.97, 665.73, 665.74, 665.84, 664.93, 664.03, 664.56, 664.13, 663.85, 662.79, 662.69, 662.9, 662.76, 663.11, 663.66, 663.74, 663.31, 663.35, 664.03, 664.89, 664.73, 665.69]],
@@ -57,4 +59,6 @@ window.SPY_DATA=[
 ["2026-02-06", [683.8, 684.71, 685.55, 685.53, 685.37, 684.74, 684.08, 683.97, 683.73, 684.79, 684.37, 685.65, 686.15, 686.11, 686.35, 685.95, 684.54, 685.8, 686.9, 687.11, 687.36, 687.08, 687.26, 687.1, 687.69, 687.75, 687.7, 687.82, 687.78, 687.46, 687.82, 688.15, 687.94, 688.03, 687.98, 688.48, 688.68, 688.01, 688.5, 688.91, 689.07, 688.95, 689.47, 689.1, 689.04, 689.16, 688.91, 688.95, 688.95, 689.3, 689.3, 689.52, 689.37, 689.03, 689.34, 689.21, 688.91, 688.9, 689.41, 689.48, 689.22, 689.2, 688.97, 689.64, 689.54, 689.35, 689.52, 689.6, 689.47, 689.76, 690.01, 689.78, 689.89, 690.03, 690.75, 691.05, 692.0, 690.6]],
 ["2026-02-09", [689.87, 691.13, 691.2, 691.23, 690.46, 690.41, 691.26, 691.6, 691.78, 692.67, 692.34, 691.94, 693.24, 693.37, 693.54, 693.78, 693.83, 694.24, 694.55, 694.18, 694.3, 694.09, 694.51, 694.69, 694.59, 694.53, 694.97, 695.2, 695.39, 695.39, 695.51, 695.38, 695.48, 695.51, 695.32, 695.14, 695.14, 695.07, 694.93, 694.96, 694.88, 694.58, 694.72, 694.87, 694.86, 694.84, 694.58, 694.23, 694.66, 694.82, 695.0, 694.8, 694.75, 694.67, 695.07, 694.78, 695.26, 695.34, 695.67, 695.74, 695.63, 695.7, 695.59, 695.64, 695.53, 695.42, 695.5, 695.49, 695.41, 695.11, 694.91, 694.58, 694.1, 694.56, 694.61, 694.8, 694.31, 693.91]],
 ["2026-02-10", [695.05, 694.37, 693.98, 693.94, 695.37, 695.75, 695.81, 696.2, 695.41, 696.02, 695.47, 695.92, 695.92, 695.61, 696.07, 695.72, 695.67, 695.4, 695.38, 694.62, 694.9, 694.96, 694.53, 694.78, 694.57, 694.82, 694.65, 694.64, 694.86, 694.77, 694.48, 695.12, 695.47, 695.6, 695.14, 695.25, 695.2, 695.11, 695.49, 695.51, 695.55, 695.44, 695.23, 694.84, 694.59, 694.12, 694.15, 693.44, 693.27, 693.7, 693.61, 693.12, 692.91, 693.64, 693.47, 693.44, 693.66, 693.31, 693.78, 693.87, 693.72, 693.89, 693.51, 693.76, 693.47, 693.77, 693.45, 693.48, 693.21, 693.63, 693.36, 693.35]]
-];
+]
+}
+};
@@ -1,15 +1,31 @@
 #!/usr/bin/env python3
-"""Fetch real SPY 5-min intraday data and save as JSON files.
+"""Fetch real intraday data (SPY 5-min by default) and save as JSON files.
 
-Only uses 5-minute interval data filtered to regular market hours (9:30-16:00 ET)
-so charts match TradingView exactly. Yahoo Finance limits 5m data to ~60 trading days.
+Only keeps bars inside regular market hours (9:30-16:00 ET) so charts match
+TradingView exactly. Yahoo Finance only serves recent intraday history (about
+60 trading days for 5-min bars), so every run appends the new days to what is
+already on disk instead of replacing it, letting the history grow over time.
+
+Each day stores the bar closes as "prices" plus the matching "open", "high",
+"low" and "volume" series, so the front end can draw candles and volume.
+
+Layout written to data/:
+  {SYMBOL}_{interval}_{date}.json   one file per trading day
+  {SYMBOL}_manifest.json            per-symbol list of days, bar counts and gaps
+  market_data.js                    bundle for the game (works with file://)
+
+Usage:
+  fetch_spy_data.py                         # SPY, 5m
+  fetch_spy_data.py -s SPY QQQ -i 5m 15m    # several symbols and intervals
+  fetch_spy_data.py --rebuild               # only rewrite manifests + bundle
 """
 
+import argparse
 import json
+import math
 import os
-from datetime import time
-
-import yfinance as yf
+import re
+from datetime import datetime, time, timedelta
 
 DATA_DIR = os.path.join(os.path.dirname(os.path.abspath(__file__)), "data")
 
@@ -17,21 +33,75 @@ DATA_DIR = os.path.join(os.path.dirname(os.path.abspath(__file__)), "data")
 MARKET_OPEN = time(9, 30)
 MARKET_CLOSE = time(16, 0)
 
-# 6.5 hours * 12 bars/hour = 78 bars expected; require at least 70
+# 6.5 hours * 12 bars/hour = 78 bars expected at 5 min; require at least 70.
+# Other intervals scale the same threshold to their own bar size.
 MIN_BARS = 70
 
-
-def fetch_and_save():
-    os.makedirs(DATA_DIR, exist_ok=True)
-
-    ticker = yf.Ticker("SPY")
-    all_days = {}
-
-    print("Fetching 5-min data (last 60 days)...")
-    df = ticker.history(period="60d", interval="5m")
+# Bar size in minutes and the longest history Yahoo serves for it
+INTERVALS = {
+    "1m": (1, "7d"),
+    "2m": (2, "60d"),
+    "5m": (5, "60d"),
+    "15m": (15, "60d"),
+    "30m": (30, "60d"),
+    "60m": (60, "730d"),
+}
+
+DAY_FILE = re.compile(r"^([A-Z0-9.^-]+)_(\d+m)_(\d{4}-\d{2}-\d{2})\.json$")
+LEGACY_DAY_FILE = re.compile(r"^([A-Z0-9.^-]+)_(\d{4}-\d{2}-\d{2})\.json$")
+
+
+def min_bars(interval):
+    return math.ceil(MIN_BARS * 5 / INTERVALS[interval][0])
+
+
+def expected_times(interval):
+    """Bar start times for a full regular session."""
+    step = timedelta(minutes=INTERVALS[interval][0])
+    t = datetime.combine(datetime.min, MARKET_OPEN)
+    end = datetime.combine(datetime.min, MARKET_CLOSE)
+    out = []
+    while t < end:
+        out.append(t.time())
+        t += step
+    return out
+
+
+def validate_day(group, interval):
+    """Check one day's (market-hours filtered) bars against the full session.
+
+    Returns (bars, gaps, reason): reason is set when the day is rejected, gaps
+    lists the expected bar times that are missing.
+    """
+    group = group.dropna(subset=["Open", "High", "Low", "Close"])
+    seen = {ts.time() for ts in group.index}
+    gaps = [t.strftime("%H:%M") for t in expected_times(interval) if t not in seen]
+    if len(group) < min_bars(interval):
+        return None, gaps, f"only {len(group)} bars (need {min_bars(interval)})"
+    bars = {
+        "open": [round(p, 2) for p in group["Open"].tolist()],
+        "high": [round(p, 2) for p in group["High"].tolist()],
+        "low": [round(p, 2) for p in group["Low"].tolist()],
+        "close": [round(p, 2) for p in group["Close"].tolist()],
+        "volume": [int(v) for v in group["Volume"].fillna(0).tolist()],
+    }
+    return bars, gaps, None
+
+
+def day_filename(symbol, interval, date_str):
+    return f"{symbol}_{interval}_{date_str}.json"
+
+
+def fetch_symbol(symbol, interval):
+    """Download, validate and save new days; returns the number of new days."""
+    import yfinance as yf
+
+    period = INTERVALS[interval][1]
+    print(f"Fetching {symbol} {interval} data (last {period})...")
+    df = yf.Ticker(symbol).history(period=period, interval=interval)
     if df.empty:
-        print("ERROR: No data returned from yfinance")
-        return
+        print(f"  ERROR: No data returned from yfinance for {symbol} {interval}")
+        return 0
 
     # Convert to Eastern time
     if df.index.tz is None:
@@ -45,48 +115,139 @@ def fetch_and_save():
     # Remove timezone info after filtering
     df.index = df.index.tz_localize(None)
 
+    added = 0
     for date, group in df.groupby(df.index.date):
-        closes = group["Close"].dropna().tolist()
-        if len(closes) >= MIN_BARS:
-            all_days[str(date)] = closes
-
-    print(f"  Got {len(all_days)} complete trading days")
-
-    sorted_dates = sorted(all_days.keys())
-
-    # Clean out old files
-    for f in os.listdir(DATA_DIR):
-        if f.startswith("SPY_") and f.endswith(".json"):
-            os.remove(os.path.join(DATA_DIR, f))
-
-    # Save individual day files
-    saved = []
-    for date_str in sorted_dates:
-        prices = [round(p, 2) for p in all_days[date_str]]
-        filename = f"SPY_{date_str}.json"
-        with open(os.path.join(DATA_DIR, filename), "w") as f:
-            json.dump({"date": date_str, "prices": prices}, f)
-        saved.append(filename)
-
-    # Save index
-    with open(os.path.join(DATA_DIR, "index.json"), "w") as f:
-        json.dump({"files": saved}, f, indent=2)
+        date_str = str(date)
+        bars, gaps, reason = validate_day(group, interval)
+        if reason:
+            print(f"  skip {date_str}: {reason}")
+            continue
+        if gaps:
+            print(f"  {date_str}: {len(gaps)} missing bars ({', '.join(gaps[:5])}{'...' if len(gaps) > 5 else ''})")
+        path = os.path.join(DATA_DIR, day_filename(symbol, interval, date_str))
+        if not os.path.exists(path):
+            added += 1
+        with open(path, "w") as f:
+            json.dump({
+                "date": date_str,
+                "symbol": symbol,
+                "interval": interval,
+                "prices": bars["close"],
+                "open": bars["open"],
+                "high": bars["high"],
+                "low": bars["low"],
+                "volume": bars["volume"],
+                "gaps": gaps,
+            }, f)
+    print(f"  {added} new days")
+    return added
+
+
+def migrate_legacy_files():
+    """Rename pre-manifest SPY_{date}.json files to the 5m naming scheme."""
+    for name in sorted(os.listdir(DATA_DIR)):
+        m = LEGACY_DAY_FILE.match(name)
+        if not m:
+            continue
+        symbol, date_str = m.groups()
+        target = day_filename(symbol, "5m", date_str)
+        os.replace(os.path.join(DATA_DIR, name), os.path.join(DATA_DIR, target))
+        print(f"  migrated {name} -> {target}")
+    for name in ("index.json", "spy_data.js"):
+        path = os.path.join(DATA_DIR, name)
+        if os.path.exists(path):
+            os.remove(path)
+
+
+def load_days():
+    """Read every day file on disk into {symbol: {interval: {date: data}}}."""
+    days = {}
+    for name in sorted(os.listdir(DATA_DIR)):
+        m = DAY_FILE.match(name)
+        if not m:
+            continue
+        symbol, interval, date_str = m.groups()
+        with open(os.path.join(DATA_DIR, name)) as f:
+            data = json.load(f)
+        data["file"] = name
+        days.setdefault(symbol, {}).setdefault(interval, {})[date_str] = data
+    return days
+
+
+def write_manifests_and_bundle():
+    days = load_days()
+    bundle = {}
+    for symbol, by_interval in sorted(days.items()):
+        manifest = {"symbol": symbol, "intervals": {}}
+        for interval, by_date in sorted(by_interval.items()):
+            entries = []
+            lines = []
+            closes_only = []
+            for date_str in sorted(by_date):
+                data = by_date[date_str]
+                entries.append({
+                    "date": date_str,
+                    "file": data["file"],
+                    "bars": len(data["prices"]),
+                    "gaps": data.get("gaps", []),
+                    "ohlcv": "open" in data,
+                })
+                if "open" not in data:
+                    closes_only.append(date_str)
+                # Bundle entry: [date, closes, {open, high, low, volume, gaps}];
+                # days saved before OHLCV was stored only have closes, and
+                # gaps (missing bar times) is only present when non-empty
+                entry = [date_str, data["prices"]]
+                extra = {k: data[k] for k in ("open", "high", "low", "volume") if k in data}
+                if data.get("gaps"):
+                    extra["gaps"] = data["gaps"]
+                if extra:
+                    entry.append(extra)
+                lines.append(json.dumps(entry))
+            manifest["intervals"][interval] = {
+                "minutes": INTERVALS.get(interval, (None,))[0],
+                "days": entries,
+            }
+            bundle.setdefault(symbol, {})[interval] = lines
+            print(f"{symbol} {interval}: {len(entries)} days "
+                  f"({entries[0]['date']} to {entries[-1]['date']})")
+            if closes_only:
+                # Yahoo only serves recent intraday history, so these can only be
+                # upgraded while they are still inside the download window
+                print(f"  WARNING: {len(closes_only)} days have closes only "
+                      f"({closes_only[0]} to {closes_only[-1]}); candles are synthesized "
+                      f"and volume/VWAP are unavailable for them. Re-fetch to store OHLCV.")
+        with open(os.path.join(DATA_DIR, f"{symbol}_manifest.json"), "w") as f:
+            json.dump(manifest, f, indent=2)
 
     # Generate bundled JS file (works with file:// protocol, no CORS issues)
-    entries = []
-    for date_str in sorted_dates:
-        prices = [round(p, 2) for p in all_days[date_str]]
-        entries.append(json.dumps([date_str, prices]))
-    with open(os.path.join(DATA_DIR, "spy_data.js"), "w") as f:
-        f.write("window.SPY_DATA=[\n" + ",\n".join(entries) + "\n];\n")
+    parts = []
+    for symbol, by_interval in bundle.items():
+        inner = []
+        for interval, lines in by_interval.items():
+            inner.append(f'"{interval}":[\n' + ",\n".join(lines) + "\n]")
+        parts.append(f'"{symbol}":{{\n' + ",\n".join(inner) + "\n}")
+    with open(os.path.join(DATA_DIR, "market_data.js"), "w") as f:
+        f.write("window.MARKET_DATA={\n" + ",\n".join(parts) + "\n};\n")
+
+
+def main():
+    parser = argparse.ArgumentParser(description=__doc__.split("\n")[0])
+    parser.add_argument("-s", "--symbols", nargs="+", default=["SPY"])
+    parser.add_argument("-i", "--intervals", nargs="+", default=["5m"], choices=sorted(INTERVALS))
+    parser.add_argument("--rebuild", action="store_true",
+                        help="skip downloading; rebuild manifests and bundle from files on disk")
+    args = parser.parse_args()
 
-    print(f"\nDone! Saved {len(saved)} days + spy_data.js to {DATA_DIR}/")
-    if sorted_dates:
-        print(f"Date range: {sorted_dates[0]} to {sorted_dates[-1]}")
-        # Show bar counts for first and last day
-        for d in [sorted_dates[0], sorted_dates[-1]]:
-            print(f"  {d}: {len(all_days[d])} bars")
+    os.makedirs(DATA_DIR, exist_ok=True)
+    migrate_legacy_files()
+    if not args.rebuild:
+        for symbol in args.symbols:
+            for interval in args.intervals:
+                fetch_symbol(symbol.upper(), interval)
+    write_manifests_and_bundle()
+    print(f"\nDone! Wrote manifests + market_data.js to {DATA_DIR}/")
 
 
 if __name__ == "__main__":
-    fetch_and_save()
+    main()
@@ -0,0 +1,113 @@
+// Stand-in for the part of the PeerJS API used here (Peer: open/connection/
+// error events, connect, destroy; DataConnection: open/data/close events,
+// send, close). Claiming an id that a live peer holds fails with
+// 'unavailable-id' and connecting to a missing id with 'peer-unavailable',
+// as with PeerJS.
+// Loaded by index.html as window.LocalTransport, and by test/ through require().
+(function(){
+  class LocalPeer {
+    constructor(id){
+      this.id = id || 'local-' + Math.random().toString(36).slice(2,10);
+      this.destroyed = false;
+      this.handlers = {};
+      this.conns = new Map();
+      this.ch = new BroadcastChannel('wb-local-peer');
+      this.ch.onmessage = e => this._recv(e.data);
+      this._onHide = () => this.destroy();
+      if(typeof window !== 'undefined') window.addEventListener('pagehide', this._onHide);
+      if(id){
+        this.claiming = true;
+        this.ch.postMessage({t:'claim', id});
+        setTimeout(() => {
+          if(this.destroyed) return;
+          this.claiming = false;
+          if(this.taken) this._emit('error', {type:'unavailable-id'});
+          else this._emit('open', this.id);
+        }, 150);
+      } else {
+        setTimeout(() => { if(!this.destroyed) this._emit('open', this.id); }, 0);
+      }
+    }
+    on(ev, fn){ (this.handlers[ev] = this.handlers[ev] || []).push(fn); }
+    _emit(ev, arg){ (this.handlers[ev] || []).forEach(fn => fn(arg)); }
+    _post(msg){ if(!this.destroyed) this.ch.postMessage(msg); }
+    _recv(m){
+      if(this.destroyed) return;
+      if(m.t === 'claim'){
+        if(m.id === this.id && !this.claiming) this._post({t:'taken', id:m.id});
+        return;
+      }
+      if(m.t === 'taken'){
+        if(m.id === this.id && this.claiming) this.taken = true;
+        return;
+      }
+      if(m.to !== this.id) return;
+      const conn = this.conns.get(m.cid);
+      if(m.t === 'connect'){
+        const c = new LocalConn(this, m.from, m.cid);
+        this.conns.set(m.cid, c);
+        this._emit('connection', c);
+        this._post({t:'accept', to:m.from, cid:m.cid});
+        setTimeout(() => c._open(), 0);
+      } else if(m.t === 'accept'){
+        if(conn) conn._open();
+      } else if(m.t === 'data'){
+        if(conn && conn.open) conn._emit('data', m.data);
+      } else if(m.t === 'close'){
+        if(conn) conn._closed();
+      }
+    }
+    connect(target){
+      const c = new LocalConn(this, target, Math.random().toString(36).slice(2,12));
+      this.conns.set(c.cid, c);
+      this._post({t:'connect', from:this.id, to:target, cid:c.cid});
+      setTimeout(() => {
+        if(!c.open && !this.destroyed) this._emit('error', {type:'peer-unavailable'});
+      }, 500);
+      return c;
+    }
+    reconnect(){}
+    destroy(){
+      if(this.destroyed) return;
+      [...this.conns.values()].forEach(c => c.close());
+      this.destroyed = true;
+      this.ch.close();
+      if(typeof window !== 'undefined') window.removeEventListener('pagehide', this._onHide);
+    }
+  }
+  class LocalConn {
+    constructor(local, peer, cid){
+      this.local = local;
+      this.peer = peer;
+      this.cid = cid;
+      this.open = false;
+      this.handlers = {};
+    }
+    on(ev, fn){ (this.handlers[ev] = this.handlers[ev] || []).push(fn); }
+    _emit(ev, arg){ (this.handlers[ev] || []).forEach(fn => fn(arg)); }
+    _open(){
+      if(this.open || this.done) return;
+      this.open = true;
+      this._emit('open');
+    }
+    _closed(){
+      if(this.done) return;
+      this.done = true;
+      this.open = false;
+      this.local.conns.delete(this.cid);
+      this._emit('close');
+    }
+    send(data){
+      if(this.open) this.local._post({t:'data', to:this.peer, cid:this.cid, data});
+    }
+    close(){
+      if(this.done) return;
+      this.local._post({t:'close', to:this.peer, cid:this.cid});
+      this._closed();
+    }
+  }
+
+  const api = { LocalPeer, LocalConn };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else window.LocalTransport = api;
+})();
@@ -0,0 +1,254 @@
+// Offline sketch classifier for the whiteboard's AI guess.
+// Guesses from stroke geometry alone: every stroke becomes a primitive
+// (circle, triangle, rectangle, line, arc, ...), loose arrowheads are joined
+// to their shafts and a few layout rules name common scenes (face, house,
+// sun, snowman, flowchart, ...). Takes a captureForAI() result (index.html) or raw stroke
+// vectors: an array of strokes, each an array of {x,y} or [x,y] points.
+// Loaded by index.html as window.SketchClassifier, and by test/ through require().
+(function(){
+  function classifySketch(input){
+    const strokes = (Array.isArray(input) ? input : input.strokes).map(s => ({
+      points: (Array.isArray(s) ? s : s.points).map(p => Array.isArray(p) ? {x:p[0], y:p[1]} : p),
+      kind: s.kind,
+      text: s.text
+    })).filter(s => s.points.length > 0);
+    if(strokes.length === 0) return '?';
+    const all = ptsBox(strokes.flatMap(s => s.points));
+    const unit = Math.max(all.w, all.h, 1);
+    return describeScene(joinArrows(strokes.map(s => strokePrimitive(s, unit))));
+  }
+
+  function ptSegDistSq(px,py, ax,ay, bx,by){
+    const dx=bx-ax, dy=by-ay, lenSq=dx*dx+dy*dy;
+    if(lenSq===0) return (px-ax)**2+(py-ay)**2;
+    let t = ((px-ax)*dx+(py-ay)*dy)/lenSq;
+    t = Math.max(0,Math.min(1,t));
+    const projX=ax+t*dx, projY=ay+t*dy;
+    return (px-projX)**2+(py-projY)**2;
+  }
+
+  function ptsBox(pts){
+    let x1=Infinity, y1=Infinity, x2=-Infinity, y2=-Infinity;
+    pts.forEach(p=>{ if(p.x<x1)x1=p.x; if(p.y<y1)y1=p.y; if(p.x>x2)x2=p.x; if(p.y>y2)y2=p.y; });
+    return {x1, y1, x2, y2, w:x2-x1, h:y2-y1, cx:(x1+x2)/2, cy:(y1+y2)/2};
+  }
+  const ptDist = (a, b) => Math.hypot(a.x-b.x, a.y-b.y);
+  function pathLength(pts){
+    let len = 0;
+    for(let i=1; i<pts.length; i++) len += ptDist(pts[i-1], pts[i]);
+    return len;
+  }
+  // n points evenly spaced along the stroke, so sampling speed doesn't skew the shape tests
+  function resampleStroke(pts, n){
+    const step = pathLength(pts) / (n-1);
+    if(!(step > 0)) return pts.slice(0, 1);
+    const out = [pts[0]];
+    let acc = 0, prev = pts[0];
+    for(let i=1; i<pts.length && out.length<n; i++){
+      let cur = pts[i], d = ptDist(prev, cur);
+      while(acc + d >= step && out.length<n){
+        const t = (step - acc) / d;
+        prev = {x: prev.x + (cur.x-prev.x)*t, y: prev.y + (cur.y-prev.y)*t};
+        out.push(prev);
+        d = ptDist(prev, cur);
+        acc = 0;
+      }
+      acc += d;
+      prev = cur;
+    }
+    while(out.length < n) out.push(pts[pts.length-1]);
+    return out;
+  }
+  // Ramer-Douglas-Peucker: the polyline's vertices that stick out more than eps
+  function simplifyStroke(pts, eps){
+    const keep = new Uint8Array(pts.length);
+    keep[0] = keep[pts.length-1] = 1;
+    const stack = [[0, pts.length-1]];
+    while(stack.length){
+      const [a, b] = stack.pop();
+      let best = 0, idx = -1;
+      for(let i=a+1; i<b; i++){
+        const d = ptSegDistSq(pts[i].x, pts[i].y, pts[a].x, pts[a].y, pts[b].x, pts[b].y);
+        if(d > best){ best = d; idx = i; }
+      }
+      if(best > eps*eps){ keep[idx] = 1; stack.push([a, idx], [idx, b]); }
+    }
+    return pts.filter((p, i) => keep[i]);
+  }
+  // Signed change of direction at b, in radians
+  function turnAngle(a, b, c){
+    let d = Math.atan2(c.y-b.y, c.x-b.x) - Math.atan2(b.y-a.y, b.x-a.x);
+    while(d > Math.PI) d -= Math.PI*2;
+    while(d < -Math.PI) d += Math.PI*2;
+    return d;
+  }
+  // Turns sharper than ~30 degrees at the simplified vertices (closed: wrapping around)
+  function strokeCorners(verts, closed){
+    const pts = closed ? verts.slice(0, -1) : verts;
+    const turns = [];
+    for(let i = closed ? 0 : 1; i < (closed ? pts.length : pts.length-1); i++){
+      const t = turnAngle(pts[(i-1+pts.length) % pts.length], pts[i], pts[(i+1) % pts.length]);
+      if(Math.abs(t) > 0.5) turns.push(t);
+    }
+    return turns;
+  }
+
+  function strokePrimitive(s, unit){
+    const box = ptsBox(s.points);
+    const size = Math.max(box.w, box.h);
+    const squarish = Math.min(box.w, box.h) > size*0.75;
+    const prim = {name: 'scribble', box, size};
+    if(s.kind === 'text'){ prim.name = 'text'; prim.text = s.text; return prim; }
+    if(s.kind === 'rect'){ prim.name = squarish ? 'square' : 'rectangle'; return prim; }
+    if(s.kind === 'ellipse'){ prim.name = squarish ? 'circle' : 'ellipse'; return prim; }
+    const first = s.points[0], last = s.points[s.points.length-1];
+    prim.ends = [first, last];
+    if(s.kind === 'line' || s.kind === 'arrow'){ prim.name = s.kind; return prim; }
+    if(size < unit*0.05){ prim.name = 'dot'; return prim; }
+
+    const len = pathLength(s.points);
+    const rs = resampleStroke(s.points, 48);
+    const closed = ptDist(first, last) < size*0.25 && len > size*2;
+    if(closed){
+      // Spread of the outline's distance from the box center, measured in box
+      // units so that ellipses score like circles
+      const rads = rs.map(p => Math.hypot((p.x-box.cx)/(box.w||1), (p.y-box.cy)/(box.h||1)));
+      const mean = rads.reduce((a, r) => a+r, 0) / rads.length;
+      const cv = Math.sqrt(rads.reduce((a, r) => a+(r-mean)**2, 0) / rads.length) / mean;
+      const corners = strokeCorners(simplifyStroke([...rs, rs[0]], size*0.1), true);
+      const winding = Math.abs(corners.reduce((a, t) => a+t, 0)) / (Math.PI*2);
+      if(cv < 0.06 || (corners.length > 5 && cv < 0.12)) prim.name = squarish ? 'circle' : 'ellipse';
+      else if(corners.length === 3) prim.name = 'triangle';
+      else if(corners.length === 4){
+        // A rectangle's outline passes its bounding box corners, a diamond's doesn't
+        const boxCorners = [[box.x1,box.y1],[box.x2,box.y1],[box.x2,box.y2],[box.x1,box.y2]]
+          .filter(([x, y]) => rs.some(p => Math.hypot(p.x-x, p.y-y) < size*0.15)).length;
+        prim.name = boxCorners < 3 ? 'diamond' : (squarish ? 'square' : 'rectangle');
+      }
+      else if(corners.length === 5) prim.name = winding > 1.5 ? 'star' : 'pentagon';
+      else if(corners.length >= 8 && cv > 0.15) prim.name = 'star';
+      else prim.name = 'blob';
+      return prim;
+    }
+
+    const straightness = ptDist(first, last) / len;
+    const verts = simplifyStroke(rs, size*0.08);
+    const corners = strokeCorners(verts, false);
+    // Total turning, measured on the simplified stroke so hand jitter doesn't add up
+    let turn = 0, absTurn = 0;
+    for(let i=1; i<verts.length-1; i++){
+      const t = turnAngle(verts[i-1], verts[i], verts[i+1]);
+      turn += t; absTurn += Math.abs(t);
+    }
+    const signChanges = corners.filter((t, i) => i > 0 && Math.sign(t) !== Math.sign(corners[i-1])).length;
+    if(straightness > 0.9) prim.name = 'line';
+    else if(Math.abs(turn) > Math.PI*2.5 && Math.abs(turn) > absTurn*0.8) prim.name = 'spiral';
+    else if(corners.length === 1 && Math.abs(corners[0]) > 1 && Math.abs(turn) > absTurn*0.6){
+      // One sharp corner: a check mark is a short stroke down then a long one up
+      let tip = verts[1], sharpest = 0;
+      for(let i=1; i<verts.length-1; i++){
+        const t = Math.abs(turnAngle(verts[i-1], verts[i], verts[i+1]));
+        if(t > sharpest){ sharpest = t; tip = verts[i]; }
+      }
+      const lowest = tip.y >= Math.max(first.y, last.y);
+      prim.name = lowest && ptDist(first, tip) < ptDist(tip, last)*0.7 ? 'check mark' : 'caret';
+    }
+    else if(corners.length >= 3 && signChanges >= 2) prim.name = 'zigzag';
+    else if(corners.every(t => Math.abs(t) < 1 && Math.sign(t) === Math.sign(turn)) &&
+            Math.abs(turn) < Math.PI*1.6 && Math.abs(turn) > absTurn*0.7){
+      prim.name = 'arc';
+      // Bulging downward (a smile) when the middle of the stroke is below its chord
+      const mid = rs[rs.length >> 1];
+      prim.smile = mid.y > (first.y + last.y)/2;
+    }
+    return prim;
+  }
+
+  // A line with a caret, or two short lines, at one end is an arrow
+  function joinArrows(prims){
+    const used = new Set();
+    const shafts = prims.filter(p => p.name === 'line').sort((a, b) => b.size - a.size);
+    shafts.forEach(shaft => {
+      if(used.has(shaft)) return;
+      const len = ptDist(shaft.ends[0], shaft.ends[1]);
+      for(const tip of shaft.ends){
+        const near = q => q !== shaft && !used.has(q) && q.size < len*0.6 &&
+          Math.hypot(q.box.cx-tip.x, q.box.cy-tip.y) < len*0.3;
+        const caret = prims.find(q => q.name === 'caret' && near(q));
+        const barbs = prims.filter(q => q.name === 'line' && near(q));
+        const head = caret ? [caret] : barbs.length >= 2 ? barbs.slice(0, 2) : null;
+        if(!head) continue;
+        head.forEach(q => used.add(q));
+        shaft.name = 'arrow';
+        break;
+      }
+    });
+    return prims.filter(p => !used.has(p));
+  }
+
+  function describeScene(prims){
+    const texts = prims.filter(p => p.name === 'text');
+    const shapes = prims.filter(p => p.name !== 'text');
+    const label = texts.map(t => t.text.trim()).join(' ').replace(/\s+/g, ' ').slice(0, 30);
+    if(shapes.length === 0) return `the text "${label}"`;
+    const scene = sceneName(shapes);
+    if(scene) return scene;
+    const counts = new Map();
+    shapes.forEach(p => counts.set(p.name, (counts.get(p.name) || 0) + 1));
+    const parts = [...counts].sort((a, b) => b[1] - a[1])
+      .map(([name, n]) => n === 1 ? (/^[aeiou]/.test(name) ? 'an ' : 'a ') + name : `${n} ${name}s`);
+    let desc = parts.length > 3 ? 'an abstract drawing'
+      : parts.length === 1 ? parts[0] : parts.slice(0, -1).join(', ') + ' and ' + parts[parts.length-1];
+    if(label) desc += ` labelled "${label}"`;
+    return desc;
+  }
+
+  function sceneName(shapes){
+    const round = p => p.name === 'circle' || p.name === 'ellipse';
+    const boxy = p => p.name === 'rectangle' || p.name === 'square';
+    const inside = (outer, p) => p.box.cx > outer.box.x1 && p.box.cx < outer.box.x2 && p.box.cy > outer.box.y1 && p.box.cy < outer.box.y2;
+    const overlapX = (a, b) => Math.min(a.box.x2, b.box.x2) - Math.max(a.box.x1, b.box.x1);
+    const rounds = shapes.filter(round).sort((a, b) => b.size - a.size);
+    const boxes = shapes.filter(boxy);
+
+    for(const head of rounds){
+      const inner = shapes.filter(q => q !== head && q.size < head.size*0.5 && inside(head, q));
+      const eyes = inner.filter(q => q.box.cy < head.box.cy && (q.name === 'dot' || round(q) || q.name === 'scribble'));
+      const mouth = inner.find(q => q.box.cy > head.box.cy && q.name === 'arc');
+      if(eyes.length >= 2) return mouth ? (mouth.smile ? 'a smiley face' : 'a sad face') : 'a face';
+    }
+    for(const walls of boxes){
+      const roof = shapes.find(q => (q.name === 'triangle' || q.name === 'caret') && q.box.cy < walls.box.cy &&
+        Math.abs(q.box.y2 - walls.box.y1) < walls.box.h*0.3 && overlapX(q, walls) > walls.box.w*0.5);
+      if(roof) return 'a house';
+      const wheels = rounds.filter(q => q.size < walls.box.w*0.5 && Math.abs(q.box.cy - walls.box.y2) < walls.box.h*0.35 &&
+        q.box.cx > walls.box.x1 && q.box.cx < walls.box.x2);
+      if(wheels.length >= 2) return 'a car';
+    }
+    const stacked = rounds.some(a => rounds.some(b => b !== a && Math.abs(a.box.cx - b.box.cx) < Math.max(a.box.w, b.box.w)*0.3 &&
+      Math.abs(a.box.y2 - b.box.y1) < Math.max(a.box.h, b.box.h)*0.25));
+    if(stacked) return 'a snowman';
+    for(const sun of rounds){
+      const r = sun.size/2;
+      const rays = shapes.filter(q => q.name === 'line' || q.name === 'arrow').filter(q => {
+        const d = Math.hypot(q.box.cx - sun.box.cx, q.box.cy - sun.box.cy);
+        return d > r && d < r*2.5;
+      });
+      if(rays.length >= 4) return 'a sun';
+    }
+    for(const crown of shapes.filter(p => round(p) || p.name === 'blob' || p.name === 'scribble')){
+      const stem = shapes.find(q => q !== crown && q.box.cy > crown.box.cy && Math.abs(q.box.y1 - crown.box.y2) < crown.box.h*0.3 &&
+        Math.abs(q.box.cx - crown.box.cx) < crown.box.w*0.3);
+      if(stem && boxy(stem) && stem.box.h > stem.box.w) return 'a tree';
+      if(stem && round(crown) && (stem.name === 'line' || stem.name === 'arc' || stem.name === 'zigzag') && stem.box.w < crown.box.w*0.5) return 'a balloon';
+    }
+    const nodes = shapes.filter(p => boxy(p) || round(p) || p.name === 'diamond');
+    if(nodes.length >= 2 && shapes.some(p => p.name === 'arrow')) return 'a flowchart';
+    if(nodes.length >= 2 && shapes.some(p => p.name === 'line')) return 'a diagram';
+    return null;
+  }
+
+  const api = { classifySketch };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else window.SketchClassifier = api;
+})();
@@ -0,0 +1,217 @@
+// Whiteboard document, operation based. The committed state is a
+// last-writer-wins map of id → entry where every field remembers the Lamport
+// stamp of the op that last set it, so add/update/delete ops from any peer
+// merge the same in any order. The page diffs its working object list against
+// it to produce ops; undo/redo entries hold only this user's ops: {ops, inverse}.
+// Loaded by index.html as window.WbDoc, and by test/ through require().
+(function(){
+  function deepClone(v){ return JSON.parse(JSON.stringify(v)); }
+  function cloneVal(v){ return v !== null && typeof v === 'object' ? deepClone(v) : v; }
+  function isAlive(e){ return !!e.added && (!e.deleted || e.added > e.deleted); }
+
+  // Stamp currently on a field, or on the add ('+') or delete ('-')
+  function current(e, k){ return k === '+' ? e.added : k === '-' ? e.deleted : e.stamps[k]; }
+  // The stamp a value was first written under: an undo or redo writes a
+  // restored value under a new stamp and records the old one in `was`
+  function origin(e, k, ts = current(e, k)){
+    const w = e.was && e.was[k];
+    return (w && w[ts]) || ts;
+  }
+  // Inverse of deleting a live object: add it back as it is, from the same stamps
+  function restoreOp(e){
+    const stamps = {};
+    Object.keys(e.stamps).forEach(k => { stamps[k] = origin(e, k); });
+    return {op:'add', id:e.obj.id, obj:deepClone(e.obj), added: origin(e, '+'), stamps};
+  }
+
+  function setFields(e, props, ts){
+    for(const k in props){
+      if(k === 'id' || (e.stamps[k] && e.stamps[k] >= ts)) continue;
+      e.stamps[k] = ts;
+      if(props[k] === null || props[k] === undefined) delete e.obj[k];
+      else e.obj[k] = cloneVal(props[k]);
+    }
+  }
+
+  class OpDoc {
+    constructor(siteId){
+      this.siteId = siteId;
+      this.clock = 0;
+      this.idSeq = 0;
+      this.entries = new Map();   // id → {obj, stamps:{field:stamp}, added, deleted, was?:{field:{stamp:origin}}}
+    }
+
+    // Stamps are zero-padded "clock@site" strings, so plain string order is Lamport order
+    nextStamp(){ return String(++this.clock).padStart(10,'0') + '@' + this.siteId; }
+    seeStamp(ts){ const n = parseInt(ts, 10); if(n > this.clock) this.clock = n; }
+    newObjId(){ return this.siteId + '.' + (++this.idSeq).toString(36); }
+
+    applyOp(op){
+      this.seeStamp(op.ts);
+      let e = this.entries.get(op.id);
+      if(!e){ e = {obj:{id:op.id}, stamps:{}, added:null, deleted:null}; this.entries.set(op.id, e); }
+      if(op.op === 'add'){
+        if(!e.added || op.ts > e.added) e.added = op.ts;
+        // A re-add carries the whole object: fields it lacks are cleared too
+        const props = {...op.obj};
+        Object.keys(e.obj).forEach(k => { if(!(k in props)) props[k] = null; });
+        setFields(e, props, op.ts);
+      } else if(op.op === 'update'){
+        setFields(e, op.props, op.ts);
+      } else if(op.op === 'delete'){
+        if(!e.deleted || op.ts > e.deleted) e.deleted = op.ts;
+      }
+    }
+
+    // Stamp and apply ops made here
+    commit(ops){
+      ops.forEach(op => { op.ts = this.nextStamp(); this.applyOp(op); });
+      return ops;
+    }
+
+    // A saved board's entries, as written by the page's boardRecord()
+    load(entries, clock){
+      this.entries = new Map(entries.map(e => [e.obj.id, e]));
+      this.clock = Math.max(this.clock, clock || 0);
+    }
+
+    // Imported files and boards saved before op history: every object is one fresh add
+    loadObjects(list){
+      this.entries = new Map();
+      list.forEach((o, i) => {
+        const obj = deepClone(o);
+        if(!obj.id) obj.id = this.newObjId();
+        if(typeof obj.z !== 'number') obj.z = i;
+        const ts = this.nextStamp();
+        this.entries.set(obj.id, {obj, stamps:Object.fromEntries(Object.keys(obj).map(k => [k, ts])), added:ts, deleted:null});
+      });
+    }
+
+    // Ops that turn the document into `list`, with their inverse. Objects
+    // without an id get one. Nothing is applied: see commit().
+    diff(list){
+      const ops = [], inverse = [];
+      const seen = new Set();
+      list.forEach(o => {
+        if(!o.id) o.id = this.newObjId();
+        seen.add(o.id);
+        const e = this.entries.get(o.id);
+        if(!e || !isAlive(e)){
+          ops.push({op:'add', id:o.id, obj:deepClone(o)});
+          inverse.push({op:'delete', id:o.id, deleted: e ? origin(e, '-') : null});
+          return;
+        }
+        const props = {}, prev = {}, stamps = {};
+        let changed = false;
+        new Set([...Object.keys(o), ...Object.keys(e.obj)]).forEach(k => {
+          if(JSON.stringify(o[k]) === JSON.stringify(e.obj[k])) return;
+          props[k] = k in o ? cloneVal(o[k]) : null;
+          prev[k] = k in e.obj ? cloneVal(e.obj[k]) : null;
+          stamps[k] = origin(e, k) || null;
+          changed = true;
+        });
+        if(changed){
+          ops.push({op:'update', id:o.id, props});
+          inverse.push({op:'update', id:o.id, props:prev, stamps});
+        }
+      });
+      this.entries.forEach((e, id) => {
+        if(isAlive(e) && !seen.has(id)){
+          ops.push({op:'delete', id});
+          inverse.push(restoreOp(e));
+        }
+      });
+      return {ops, inverse};
+    }
+
+    // Apply an undo entry's inverse, skipping anything another user has changed
+    // since: a field is only reverted while it still holds what this entry
+    // wrote. Returns the committed entry for the opposite stack, or null if
+    // nothing was left to undo.
+    revert(entry){
+      const ops = [], inverse = [], undone = [];
+      const stampFor = (id, k) => {
+        let ts = null;
+        entry.ops.forEach(op => {
+          if(op.id === id && (op.op === 'add' ? k in op.obj : op.op === 'update' && k in op.props)) ts = op.ts;
+        });
+        return ts;
+      };
+      const wrote = (e, k, ts) => !!ts && origin(e, k) === origin(e, k, ts);
+      for(let i=entry.inverse.length-1; i>=0; i--){
+        const inv = entry.inverse[i];
+        const e = this.entries.get(inv.id);
+        if(!e) continue;
+        const fwd = entry.ops.filter(op => op.id === inv.id);
+        if(inv.op === 'delete'){
+          if(!isAlive(e) || !fwd.some(op => op.op === 'add' && wrote(e, '+', op.ts))) continue;
+          ops.push({op:'delete', id:inv.id});
+          inverse.push(restoreOp(e));
+        } else if(inv.op === 'add'){
+          if(isAlive(e) || !fwd.some(op => op.op === 'delete' && wrote(e, '-', op.ts))) continue;
+          ops.push({op:'add', id:inv.id, obj:deepClone(inv.obj)});
+          inverse.push({op:'delete', id:inv.id, deleted: origin(e, '-')});
+        } else {
+          const props = {}, prev = {}, stamps = {};
+          Object.keys(inv.props).forEach(k => {
+            if(!wrote(e, k, stampFor(inv.id, k))) return;
+            props[k] = inv.props[k];
+            prev[k] = k in e.obj ? cloneVal(e.obj[k]) : null;
+            stamps[k] = origin(e, k) || null;
+          });
+          if(!Object.keys(props).length) continue;
+          ops.push({op:'update', id:inv.id, props});
+          inverse.push({op:'update', id:inv.id, props:prev, stamps});
+        }
+        undone.push(inv);
+      }
+      if(!ops.length) return null;
+      this.commit(ops);
+      // The restored values are the ones written under the inverse's stamps:
+      // remember that, so older entries touching the same fields still match
+      ops.forEach((op, i) => {
+        const e = this.entries.get(op.id), inv = undone[i];
+        const alias = (k, ts) => {
+          if(!ts) return;
+          e.was = e.was || {};
+          (e.was[k] = e.was[k] || {})[op.ts] = ts;
+        };
+        if(op.op === 'delete'){ alias('-', inv.deleted); return; }
+        alias('+', inv.added);
+        Object.entries(inv.stamps || {}).forEach(([k, ts]) => alias(k, ts));
+      });
+      return {ops, inverse};
+    }
+
+    // Live objects as [obj, addStamp] or, when fields were set later, [obj, addStamp, stamps].
+    // Deleted ones stay as [obj, addStamp, stamps, deleteStamp]: without them an add
+    // older than the delete (an outbox replayed after a reconnect) would bring the
+    // object back on a peer that joined after the delete, and only there.
+    compact(){
+      const base = [];
+      this.entries.forEach(e => {
+        if(!isAlive(e)) base.push([deepClone(e.obj), e.added, {...e.stamps}, e.deleted]);
+        else if(Object.values(e.stamps).every(ts => ts === e.added)) base.push([deepClone(e.obj), e.added]);
+        else base.push([deepClone(e.obj), e.added, {...e.stamps}]);
+      });
+      return base;
+    }
+
+    // Replace the contents with a room snapshot: {base: compact(), ops, clock}
+    loadSnapshot(msg){
+      this.entries = new Map();
+      msg.base.forEach(([obj, added, stamps, deleted]) => {
+        if(added) this.seeStamp(added);
+        if(deleted) this.seeStamp(deleted);
+        const st = stamps || Object.fromEntries(Object.keys(obj).filter(k => k !== 'id').map(k => [k, added]));
+        this.entries.set(obj.id, {obj: deepClone(obj), stamps: {...st}, added, deleted: deleted || null});
+      });
+      msg.ops.forEach(op => this.applyOp(op));
+      if(msg.clock) this.clock = Math.max(this.clock, msg.clock);
+    }
+  }
+
+  const api = { OpDoc, isAlive };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else window.WbDoc = api;
+})();
@@ -0,0 +1,160 @@
+// WebM cutting for the screen recorder.
+// MediaRecorder writes an EBML header, then a Segment (Info, Tracks) followed by Clusters. A trim keeps
+// the header and the Clusters covering the range, rebasing their timecodes to zero, so no re-encoding
+// is needed. Clusters are not guaranteed to open on a keyframe (Chrome starts one at least every ~32s
+// regardless, Firefox clusters by time), so the cut starts at the last Cluster at or before the cut-in
+// point whose first video block is a keyframe; the caller shows where that actually is. The recorder
+// asks for a keyframe every second, and Chrome opens a new Cluster at each one.
+// Loaded by index.html as window.WebmCut, and by test/ through require().
+(function(){
+  const EBML_ID = 0x1A45DFA3, SEGMENT_ID = 0x18538067, INFO_ID = 0x1549A966, TIMECODE_SCALE_ID = 0x2AD7B1;
+  const TRACKS_ID = 0x1654AE6B, TRACK_ENTRY_ID = 0xAE, TRACK_NUMBER_ID = 0xD7, TRACK_TYPE_ID = 0x83;
+  const CLUSTER_ID = 0x1F43B675, TIMECODE_ID = 0xE7, SIMPLE_BLOCK_ID = 0xA3;
+  // Segment-level IDs: a child with one of these ends an unknown-size Cluster
+  const SEGMENT_CHILDREN = new Set([CLUSTER_ID, INFO_ID, 0x1654AE6B, 0x114D9B74, 0x1C53BB6B, 0x1254C367, 0x1043A770, 0x1941A469]);
+
+  function readVint(buf, pos, keepMarker){
+    if(pos >= buf.length) return null;
+    const first = buf[pos];
+    let len = 1, mask = 0x80;
+    while(len <= 8 && !(first & mask)){ len++; mask >>= 1; }
+    if(len > 8 || pos + len > buf.length) return null;
+    let value = keepMarker ? first : first & (mask - 1);
+    let unknown = (first & (mask - 1)) === mask - 1;
+    for(let i = 1; i < len; i++){
+      value = value * 256 + buf[pos + i];
+      if(buf[pos + i] !== 0xFF) unknown = false;
+    }
+    return { value, len, unknown };
+  }
+
+  function readElement(buf, pos){
+    const id = readVint(buf, pos, true);
+    const size = id && readVint(buf, pos + id.len, false);
+    if(!size) return null;
+    const dataStart = pos + id.len + size.len;
+    return { id: id.value, start: pos, dataStart, end: size.unknown ? -1 : dataStart + size.value };
+  }
+
+  function readUint(buf, start, end){
+    let v = 0;
+    for(let i = start; i < end; i++) v = v * 256 + buf[i];
+    return v;
+  }
+
+  function uintBytes(v, len){
+    const out = new Uint8Array(len);
+    for(let i = len - 1; i >= 0; i--){ out[i] = v % 256; v = Math.floor(v / 256); }
+    return out;
+  }
+
+  // Children of a known-size element, as read by readElement
+  function childElements(buf, el){
+    const out = [];
+    for(let p = el.dataStart; p < el.end;){
+      const child = readElement(buf, p);
+      if(!child || child.end < 0 || child.end > el.end) break;
+      out.push(child);
+      p = child.end;
+    }
+    return out;
+  }
+
+  // Returns { headerEnd, scale (ns per tick), clusters:[{ tc, key, children:[{start, end, id, rel}] }] }
+  // or null. `key` is whether the Cluster's first video block is a keyframe.
+  function parseWebm(buf){
+    const ebml = readElement(buf, 0);
+    if(!ebml || ebml.id !== EBML_ID || ebml.end < 0) return null;
+    const seg = readElement(buf, ebml.end);
+    if(!seg || seg.id !== SEGMENT_ID) return null;
+    const segEnd = seg.end < 0 ? buf.length : Math.min(seg.end, buf.length);
+    const out = { segStart: seg.start, segDataStart: seg.dataStart, headerEnd: -1, scale: 1e6, videoTracks: new Set(), clusters: [] };
+    let pos = seg.dataStart;
+    while(pos < segEnd){
+      const el = readElement(buf, pos);
+      if(!el) break;
+      if(el.id === INFO_ID && el.end > 0){
+        childElements(buf, el).forEach(child => {
+          if(child.id === TIMECODE_SCALE_ID) out.scale = readUint(buf, child.dataStart, child.end);
+        });
+      }
+      if(el.id === TRACKS_ID && el.end > 0){
+        childElements(buf, el).filter(t => t.id === TRACK_ENTRY_ID).forEach(entry => {
+          const fields = childElements(buf, entry);
+          const num = fields.find(f => f.id === TRACK_NUMBER_ID), type = fields.find(f => f.id === TRACK_TYPE_ID);
+          if(num && type && readUint(buf, type.dataStart, type.end) === 1) out.videoTracks.add(readUint(buf, num.dataStart, num.end));
+        });
+      }
+      if(el.id !== CLUSTER_ID){
+        if(el.end < 0) break;
+        pos = el.end;
+        continue;
+      }
+      if(out.headerEnd < 0) out.headerEnd = pos;
+      const stop = el.end < 0 ? segEnd : Math.min(el.end, segEnd);
+      const cluster = { tc: null, key: null, children: [] };
+      let p = el.dataStart;
+      while(p < stop){
+        const child = readElement(buf, p);
+        if(!child || SEGMENT_CHILDREN.has(child.id) || child.end < 0 || child.end > stop) break;
+        if(child.id === TIMECODE_ID) cluster.tc = readUint(buf, child.dataStart, child.end);
+        else {
+          // SimpleBlock: track number vint, a signed 16-bit timecode relative to the cluster, then flags
+          const track = child.id === SIMPLE_BLOCK_ID && readVint(buf, child.dataStart, false);
+          const at = track ? child.dataStart + track.len : -1;
+          const rel = track ? (buf[at] << 24 >> 16) | buf[at + 1] : 0;
+          const video = track && (!out.videoTracks.size || out.videoTracks.has(track.value));
+          if(video && cluster.key === null) cluster.key = !!(buf[at + 2] & 0x80);
+          cluster.children.push({ start: child.start, end: child.end, id: child.id, rel });
+        }
+        p = child.end;
+      }
+      if(cluster.tc === null) return null;
+      out.clusters.push(cluster);
+      // Stop at a truncated tail or anything that is not another top-level element
+      pos = p;
+      const next = readElement(buf, pos);
+      if(!next || !SEGMENT_CHILDREN.has(next.id)) break;
+    }
+    return out.clusters.length ? out : null;
+  }
+
+  // Index of the Cluster a cut at startMs has to begin with, or -1 if there is no keyframe to start on
+  function cutInCluster(webm, startMs){
+    let first = -1;
+    webm.clusters.forEach((c, i)=>{ if(c.key && c.tc * webm.scale / 1e6 <= startMs) first = i; });
+    return first;
+  }
+
+  // Cut [startMs, endMs) out of a WebM byte array. Returns { parts, start, end } in ms, where start is the
+  // keyframe the cut really begins at and end covers the last kept frame (frameMs long), or null if the
+  // bytes are not a WebM this can cut.
+  function cutWebm(buf, startMs, endMs, frameMs){
+    const webm = parseWebm(buf);
+    if(!webm) return null;
+    const toMs = tc => tc * webm.scale / 1e6;
+    const first = cutInCluster(webm, startMs);
+    if(first < 0) return null;
+    const base = webm.clusters[first].tc;
+    // Segment and Clusters are written with unknown size so dropped bytes need no size fix-ups
+    const unknownSize = new Uint8Array([0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+    const parts = [buf.subarray(0, webm.segStart), uintBytes(SEGMENT_ID, 4), unknownSize, buf.subarray(webm.segDataStart, webm.headerEnd)];
+    let last = toMs(base);
+    for(let i = first; i < webm.clusters.length; i++){
+      const c = webm.clusters[i];
+      if(i > first && toMs(c.tc) >= endMs) break;
+      const blocks = c.children.filter(ch => ch.id !== SIMPLE_BLOCK_ID || toMs(c.tc + ch.rel) < endMs);
+      if(!blocks.length) continue;
+      parts.push(uintBytes(CLUSTER_ID, 4), unknownSize, new Uint8Array([TIMECODE_ID, 0x88]), uintBytes(c.tc - base, 8));
+      blocks.forEach(ch => {
+        parts.push(buf.subarray(ch.start, ch.end));
+        if(ch.id === SIMPLE_BLOCK_ID) last = Math.max(last, toMs(c.tc + ch.rel));
+      });
+    }
+    return { parts, start: toMs(base), end: Math.max(Math.min(endMs, last + frameMs), toMs(base)) };
+  }
+
+  const api = { parseWebm, cutWebm };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else window.WebmCut = api;
+})();
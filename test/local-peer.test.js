@@ -0,0 +1,80 @@
+// The BroadcastChannel stand-in for PeerJS (games/js/local-peer.js), and ops
+// between two whiteboard documents sent over it. Run with `node --test`.
+const test = require('node:test');
+const assert = require('node:assert');
+const { LocalPeer } = require('../games/js/local-peer.js');
+const { OpDoc, isAlive } = require('../games/js/wb-doc.js');
+
+const next = (target, ev) => new Promise(resolve => target.on(ev, resolve));
+const room = () => 'room-' + Math.random().toString(36).slice(2, 8);
+
+// A host holding `id` and a guest connected to it, both sides open
+async function pair(t){
+  const id = room();
+  const host = new LocalPeer(id);
+  t.after(() => host.destroy());
+  await next(host, 'open');
+  const guest = new LocalPeer();
+  t.after(() => guest.destroy());
+  await next(guest, 'open');
+  const accepted = next(host, 'connection');
+  const toHost = guest.connect(id);
+  const toGuest = await accepted;
+  await Promise.all([next(toHost, 'open'), next(toGuest, 'open')]);
+  return {host, guest, toHost, toGuest};
+}
+
+test('a guest connects to a host id and data flows both ways', async t => {
+  const {guest, toHost, toGuest} = await pair(t);
+  assert.strictEqual(toGuest.peer, guest.id);
+  const atHost = next(toGuest, 'data');
+  toHost.send('ping');
+  assert.strictEqual(await atHost, 'ping');
+  const atGuest = next(toHost, 'data');
+  toGuest.send({type:'pong'});
+  assert.deepStrictEqual(await atGuest, {type:'pong'});
+});
+
+test('closing one end closes the other', async t => {
+  const {toHost, toGuest} = await pair(t);
+  const closed = next(toGuest, 'close');
+  toHost.close();
+  await closed;
+  assert.strictEqual(toGuest.open, false);
+  assert.strictEqual(toHost.open, false);
+});
+
+test('claiming an id a live peer holds fails with unavailable-id', async t => {
+  const id = room();
+  const first = new LocalPeer(id);
+  t.after(() => first.destroy());
+  await next(first, 'open');
+  const second = new LocalPeer(id);
+  t.after(() => second.destroy());
+  const err = await Promise.race([next(second, 'error'), next(second, 'open').then(() => null)]);
+  assert.deepStrictEqual(err, {type:'unavailable-id'});
+});
+
+test('connecting to a missing id fails with peer-unavailable', async t => {
+  const lone = new LocalPeer();
+  t.after(() => lone.destroy());
+  await next(lone, 'open');
+  lone.connect(room());
+  assert.deepStrictEqual(await next(lone, 'error'), {type:'peer-unavailable'});
+});
+
+test('ops sent over the connection merge into the same board', async t => {
+  const {toHost, toGuest} = await pair(t);
+  const a = new OpDoc('a'), b = new OpDoc('b');
+  const live = d => [...d.entries.values()].filter(isAlive).map(e => e.obj).sort((x, y) => x.id < y.id ? -1 : 1);
+  // Each side edits before hearing from the other
+  const opsA = a.commit(a.diff([{type:'rect', x1:0, y1:0, x2:10, y2:10, z:0}]).ops);
+  const opsB = b.commit(b.diff([{type:'pen', points:[{x:1, y:1}], z:0}]).ops);
+  const atB = next(toGuest, 'data'), atA = next(toHost, 'data');
+  toHost.send(JSON.stringify({type:'ops', ops:opsA}));
+  toGuest.send(JSON.stringify({type:'ops', ops:opsB}));
+  JSON.parse(await atB).ops.forEach(op => b.applyOp(op));
+  JSON.parse(await atA).ops.forEach(op => a.applyOp(op));
+  assert.deepStrictEqual(live(a), live(b));
+  assert.strictEqual(live(a).length, 2);
+});
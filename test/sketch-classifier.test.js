@@ -0,0 +1,84 @@
+// The offline sketch classifier (games/js/sketch-classifier.js) on known
+// shapes, fed as raw stroke vectors. Run with `node --test`.
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifySketch } = require('../games/js/sketch-classifier.js');
+
+const circle = (cx, cy, r, n=40) => Array.from({length:n+1}, (_, i) => [cx + r*Math.cos(i/n*2*Math.PI), cy + r*Math.sin(i/n*2*Math.PI)]);
+const arc = (cx, cy, r, a0, a1, n=20) => Array.from({length:n+1}, (_, i) => [cx + r*Math.cos(a0 + (a1-a0)*i/n), cy + r*Math.sin(a0 + (a1-a0)*i/n)]);
+// Straight segments through the corners, `per` points each
+const poly = (pts, per=10) => {
+  const out = [];
+  for(let i = 0; i < pts.length-1; i++)
+    for(let j = 0; j < per; j++) out.push([pts[i][0] + (pts[i+1][0]-pts[i][0])*j/per, pts[i][1] + (pts[i+1][1]-pts[i][1])*j/per]);
+  out.push(pts[pts.length-1]);
+  return out;
+};
+// Seeded hand wobble, the same on every run
+const jitter = (pts, a=1.5) => {
+  let s = 1;
+  const rnd = () => (s = s*16807 % 2147483647) / 2147483647;
+  return pts.map(p => [p[0] + (rnd()-0.5)*a*2, p[1] + (rnd()-0.5)*a*2]);
+};
+// Native shapes arrive from captureForAI() as outlines tagged with their kind
+const box = (kind, x1, y1, x2, y2) => ({kind, points: poly([[x1,y1],[x2,y1],[x2,y2],[x1,y2],[x1,y1]]).map(([x, y]) => ({x, y}))});
+const star = [0,2,4,1,3,0].map(i => [400 + 120*Math.cos(-Math.PI/2 + i*2*Math.PI/5), 300 + 120*Math.sin(-Math.PI/2 + i*2*Math.PI/5)]);
+const head = () => [jitter(circle(400,300,120)), circle(360,260,6,8), circle(440,260,6,8)];
+const triangle = jitter(poly([[400,150],[500,350],[300,350],[400,150]]));
+
+const cases = {
+  'a circle': [jitter(circle(400,300,80))],
+  'an ellipse': [jitter(circle(400,300,80).map(([x, y]) => [x*1.8-320, y]))],
+  'a triangle': [triangle],
+  'a rectangle': [jitter(poly([[350,200],[550,200],[550,320],[350,320],[350,200]]))],
+  'a square': [jitter(poly([[350,200],[500,200],[500,350],[350,350],[350,200]]))],
+  'a diamond': [jitter(poly([[400,150],[500,250],[400,350],[300,250],[400,150]]))],
+  'a star': [jitter(poly(star))],
+  'a line': [jitter(poly([[100,100],[500,300]]))],
+  'a zigzag': [jitter(poly([[100,300],[160,200],[220,300],[280,200],[340,300]]))],
+  'a check mark': [jitter(poly([[300,250],[350,320],[480,150]]))],
+  'a spiral': [Array.from({length:120}, (_, i) => [400 + i*1.2*Math.cos(i/8), 300 + i*1.2*Math.sin(i/8)])],
+  'a smiley face': [...head(), jitter(arc(400,300,60,0.3,Math.PI-0.3))],
+  'a sad face': [...head(), jitter(arc(400,400,60,Math.PI+0.4,2*Math.PI-0.4))],
+  'a house': [jitter(poly([[300,300],[500,300],[500,450],[300,450],[300,300]])), jitter(poly([[290,300],[400,180],[510,300],[290,300]]))],
+  'a snowman': [jitter(circle(400,380,80)), jitter(circle(400,250,50))],
+  'a sun': [jitter(circle(400,300,60)), ...Array.from({length:8}, (_, i) => {
+    const a = i*Math.PI/4;
+    return poly([[400+80*Math.cos(a), 300+80*Math.sin(a)], [400+120*Math.cos(a), 300+120*Math.sin(a)]], 3);
+  })],
+  'an arrow': [poly([[100,300],[500,300]]), poly([[450,260],[500,300],[450,340]])],
+  'a car': [jitter(poly([[200,200],[600,200],[600,320],[200,320],[200,200]])), jitter(circle(280,320,40)), jitter(circle(520,320,40))],
+  'a balloon': [jitter(circle(400,200,70)), jitter(poly([[400,272],[410,350],[395,450]]))],
+  'a circle, a triangle and a line': [jitter(circle(200,300,50)), triangle, poly([[600,100],[700,200]])]
+};
+
+for(const [expected, strokes] of Object.entries(cases)){
+  test('guesses ' + expected, () => {
+    assert.strictEqual(classifySketch(strokes), expected);
+  });
+}
+
+test('an arrow drawn as a shaft and two barbs', () => {
+  const strokes = [poly([[100,300],[500,300]]), poly([[450,260],[500,300]]), poly([[450,340],[500,300]])];
+  assert.strictEqual(classifySketch(strokes), 'an arrow');
+});
+
+test('native shapes are named from their kind', () => {
+  const house = {strokes: [box('rect', 300, 300, 500, 450), {points: jitter(poly([[290,300],[400,180],[510,300]])).map(([x, y]) => ({x, y}))}]};
+  assert.strictEqual(classifySketch(house), 'a house');
+  const flow = {strokes: [box('rect', 100, 100, 250, 180), box('rect', 400, 100, 550, 180), {kind:'arrow', points:[{x:250, y:140}, {x:400, y:140}]}]};
+  assert.strictEqual(classifySketch(flow), 'a flowchart');
+  const tree = {strokes: [{points: jitter(circle(400,200,90)).map(([x, y]) => ({x, y}))}, box('rect', 380, 290, 420, 450)]};
+  assert.strictEqual(classifySketch(tree), 'a tree');
+});
+
+test('text is read back as a label', () => {
+  assert.strictEqual(classifySketch({strokes: [{kind:'text', text:'hello  world', points:[{x:0, y:0}, {x:80, y:20}]}]}), 'the text "hello world"');
+  assert.strictEqual(classifySketch({strokes: [box('rect', 0, 0, 200, 100), {kind:'text', text:'Start', points:[{x:20, y:20}, {x:80, y:40}]}]}),
+    'a rectangle labelled "Start"');
+});
+
+test('an empty board is a question mark', () => {
+  assert.strictEqual(classifySketch([]), '?');
+  assert.strictEqual(classifySketch({strokes: [[]]}), '?');
+});
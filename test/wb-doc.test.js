@@ -0,0 +1,210 @@
+// Merge and undo ordering of the whiteboard document (games/js/wb-doc.js).
+// Run with `node --test` from the repository root.
+const test = require('node:test');
+const assert = require('node:assert');
+const { OpDoc, isAlive } = require('../games/js/wb-doc.js');
+
+// A peer edits the way the page does: change a copy of the live objects,
+// diff it against the doc and commit; ops reach other peers only when delivered.
+function peer(site){
+  const p = {
+    doc: new OpDoc(site),
+    undoStack: [], redoStack: [],
+    objects(){
+      return [...p.doc.entries.values()].filter(isAlive).map(e => JSON.parse(JSON.stringify(e.obj)))
+        .sort((a, b) => (a.z - b.z) || (a.id < b.id ? -1 : 1));
+    },
+    edit(fn){
+      const list = p.objects();
+      fn(list);
+      const {ops, inverse} = p.doc.diff(list);
+      p.doc.commit(ops);
+      p.undoStack.push({ops, inverse});
+      p.redoStack = [];
+      return ops;
+    },
+    undo(){
+      const back = p.doc.revert(p.undoStack.pop());
+      if(back) p.redoStack.push(back);
+      return back ? back.ops : [];
+    },
+    redo(){
+      const again = p.doc.revert(p.redoStack.pop());
+      if(again) p.undoStack.push(again);
+      return again ? again.ops : [];
+    },
+    receive(ops){ ops.forEach(op => p.doc.applyOp(JSON.parse(JSON.stringify(op)))); }
+  };
+  return p;
+}
+const rect = (x, extra) => ({type:'rect', x1:x, y1:0, x2:x+50, y2:40, color:'#fff', z:0, ...extra});
+const find = (p, type) => p.objects().find(o => o.type === type);
+
+test('concurrent adds from two peers converge', () => {
+  const a = peer('a'), b = peer('b');
+  const opsA = a.edit(list => list.push(rect(100)));
+  const opsB = b.edit(list => list.push({type:'pen', points:[{x:1, y:1}], color:'#fff', z:0}));
+  a.receive(opsB);
+  b.receive(opsA);
+  assert.deepStrictEqual(a.objects(), b.objects());
+  assert.deepStrictEqual(a.objects().map(o => o.type).sort(), ['pen', 'rect']);
+});
+
+test('the same ops merge the same in any delivery order', () => {
+  const a = peer('a'), b = peer('b'), c = peer('c');
+  const add = a.edit(list => list.push(rect(0)));
+  b.receive(add); c.receive(add);
+  const move = a.edit(list => { list[0].x1 = 10; });
+  const recolor = b.edit(list => { list[0].color = '#f00'; });
+  const moveAgain = c.edit(list => { list[0].x1 = 20; });
+  const orders = [[move, recolor, moveAgain], [moveAgain, recolor, move], [recolor, moveAgain, move]];
+  const results = orders.map(order => {
+    const p = peer('x');
+    p.receive(add);
+    order.forEach(ops => p.receive(ops));
+    return p.objects();
+  });
+  results.forEach(r => assert.deepStrictEqual(r, results[0]));
+  // c's move carries the later stamp: the same Lamport clock, higher site id
+  assert.strictEqual(results[0][0].x1, 20);
+  assert.strictEqual(results[0][0].color, '#f00');
+});
+
+test('edits to different fields of one object both survive', () => {
+  const a = peer('a'), b = peer('b');
+  b.receive(a.edit(list => list.push(rect(100))));
+  const move = a.edit(list => { list[0].x1 = 300; list[0].x2 = 350; });
+  const recolor = b.edit(list => { list[0].color = '#ef4444'; });
+  a.receive(recolor);
+  b.receive(move);
+  assert.deepStrictEqual(a.objects(), b.objects());
+  assert.strictEqual(find(a, 'rect').x1, 300);
+  assert.strictEqual(find(a, 'rect').color, '#ef4444');
+});
+
+test('undo only takes back this peer\'s own ops', () => {
+  const a = peer('a'), b = peer('b');
+  b.receive(a.edit(list => list.push(rect(100))));
+  a.receive(b.edit(list => list.push({type:'pen', points:[{x:1, y:1}], color:'#fff', z:1})));
+  a.receive(b.undo());
+  assert.deepStrictEqual(a.objects(), b.objects());
+  assert.deepStrictEqual(a.objects().map(o => o.type), ['rect']);
+  a.receive(b.redo());
+  assert.deepStrictEqual(a.objects().map(o => o.type), ['rect', 'pen']);
+});
+
+test('undo reverts a move but keeps a peer\'s later recolor', () => {
+  const a = peer('a'), b = peer('b');
+  b.receive(a.edit(list => list.push(rect(100))));
+  b.receive(a.edit(list => { list[0].x1 = 300; }));
+  a.receive(b.edit(list => { list[0].color = '#ef4444'; }));
+  b.receive(a.undo());
+  assert.deepStrictEqual(a.objects(), b.objects());
+  assert.strictEqual(find(a, 'rect').x1, 100);
+  assert.strictEqual(find(a, 'rect').color, '#ef4444');
+});
+
+test('undo skips a field a peer has set since', () => {
+  const a = peer('a'), b = peer('b');
+  b.receive(a.edit(list => list.push(rect(100))));
+  b.receive(a.edit(list => { list[0].x1 = 200; }));
+  a.receive(b.edit(list => { list[0].x1 = 250; }));
+  assert.deepStrictEqual(a.undo(), []);
+  assert.strictEqual(find(a, 'rect').x1, 250);
+  // The entry is used up; the add before it is still undoable
+  b.receive(a.undo());
+  assert.deepStrictEqual(b.objects(), []);
+});
+
+test('undo and redo walk this peer\'s history in order', () => {
+  const a = peer('a');
+  a.edit(list => list.push(rect(0)));
+  a.edit(list => { list[0].x1 = 10; });
+  a.edit(list => { list[0].x1 = 20; });
+  a.undo();
+  assert.strictEqual(find(a, 'rect').x1, 10);
+  a.undo();
+  assert.strictEqual(find(a, 'rect').x1, 0);
+  a.redo();
+  a.redo();
+  assert.strictEqual(find(a, 'rect').x1, 20);
+  a.undo(); a.undo(); a.undo();
+  assert.deepStrictEqual(a.objects(), []);
+});
+
+test('undo steps back through a delete to the add before it', () => {
+  const a = peer('a'), b = peer('b');
+  b.receive(a.edit(list => list.push(rect(0))));
+  b.receive(a.edit(list => { list[0].x1 = 10; }));
+  b.receive(a.edit(list => list.splice(0, 1)));
+  b.receive(a.undo());
+  assert.strictEqual(find(b, 'rect').x1, 10);
+  b.receive(a.undo());
+  assert.strictEqual(find(b, 'rect').x1, 0);
+  b.receive(a.undo());
+  assert.deepStrictEqual(b.objects(), []);
+  b.receive(a.redo()); b.receive(a.redo()); b.receive(a.redo());
+  assert.deepStrictEqual(b.objects(), []);
+  b.receive(a.undo());
+  assert.strictEqual(find(b, 'rect').x1, 10);
+  assert.deepStrictEqual(a.objects(), b.objects());
+});
+
+test('undo, redo and undo again of one add', () => {
+  const a = peer('a');
+  a.edit(list => list.push(rect(0)));
+  a.undo(); a.redo(); a.undo();
+  assert.deepStrictEqual(a.objects(), []);
+  a.redo();
+  assert.strictEqual(find(a, 'rect').x1, 0);
+});
+
+test('undoing a delete brings the object back on every peer', () => {
+  const a = peer('a'), b = peer('b');
+  b.receive(a.edit(list => list.push(rect(100))));
+  a.receive(b.edit(list => list.splice(0, 1)));
+  assert.deepStrictEqual(a.objects(), []);
+  a.receive(b.undo());
+  assert.deepStrictEqual(a.objects(), b.objects());
+  assert.strictEqual(find(a, 'rect').x1, 100);
+});
+
+test('a late joiner\'s snapshot plus the ops since matches the room', () => {
+  const host = peer('h'), guest = peer('g');
+  host.edit(list => list.push(rect(0), rect(100, {z:1})));
+  host.edit(list => { list[1].color = '#f00'; });
+  const base = host.doc.compact();
+  const since = host.edit(list => list.splice(0, 1));
+  guest.doc.loadSnapshot({base, ops: since, clock: host.doc.clock});
+  assert.deepStrictEqual(guest.objects(), host.objects());
+  // New stamps on the guest sort after everything it was sent
+  assert.ok(guest.doc.nextStamp() > since[since.length-1].ts);
+});
+
+test('a late joiner keeps deletes: an older add arriving later stays dead', () => {
+  const host = peer('h'), guest = peer('g');
+  const add = host.edit(list => list.push(rect(0)));
+  guest.receive(add);
+  host.receive(guest.edit(list => list.splice(0, 1)));
+  const late = peer('l');
+  late.doc.loadSnapshot({base: host.doc.compact(), ops: [], clock: host.doc.clock});
+  // A re-add stamped before the delete, e.g. an undo replayed from a reconnecting guest's outbox
+  const stale = {op:'add', id:add[0].id, obj:rect(0, {id:add[0].id}), ts:'0000000001@z'};
+  [host, guest, late].forEach(p => p.receive([stale]));
+  assert.deepStrictEqual(late.objects(), []);
+  assert.deepStrictEqual(host.objects(), []);
+  assert.deepStrictEqual(guest.objects(), []);
+});
+
+test('a saved board reloads with its stamps', () => {
+  const a = peer('a');
+  a.edit(list => list.push(rect(0)));
+  a.edit(list => { list[0].x1 = 5; });
+  const saved = JSON.parse(JSON.stringify({doc: [...a.doc.entries.values()], clock: a.doc.clock}));
+  const b = peer('a');
+  b.doc.load(saved.doc, saved.clock);
+  b.undoStack = a.undoStack;
+  assert.deepStrictEqual(b.objects(), a.objects());
+  b.undo();
+  assert.strictEqual(find(b, 'rect').x1, 0);
+});
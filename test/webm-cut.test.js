@@ -0,0 +1,104 @@
+// Cutting recordings without re-encoding (games/js/webm-cut.js), on WebM files
+// laid out the way MediaRecorder writes them. Run with `node --test` from the repository root.
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseWebm, cutWebm } = require('../games/js/webm-cut.js');
+
+// EBML writer for the fixtures: elements are [id, children | Uint8Array | number],
+// with an 8-byte size field, or the unknown size when `unknown` is set
+const UNKNOWN = [0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF];
+function idBytes(id){
+  const out = [];
+  for(; id > 0; id = Math.floor(id / 256)) out.unshift(id % 256);
+  return out;
+}
+function uint(v, len = 4){
+  const out = [];
+  for(let i = 0; i < len; i++){ out.unshift(v % 256); v = Math.floor(v / 256); }
+  return out;
+}
+function el(id, body, unknown){
+  const data = typeof body === 'number' ? uint(body)
+    : body instanceof Uint8Array ? [...body] : body.flat();
+  return [...idBytes(id), ...(unknown ? UNKNOWN : [0x01, ...uint(data.length, 7)]), ...data];
+}
+function block(track, rel, key){
+  return el(0xA3, new Uint8Array([0x80 | track, (rel >> 8) & 0xFF, rel & 0xFF, key ? 0x80 : 0x00, 0xAB, 0xCD]));
+}
+
+// Track 1 is video, track 2 audio. `clusters` is [{tc, key, frames}], with one
+// video frame every 100ms and an audio block leading each Cluster, as Chrome writes
+function recording(clusters, {knownSize = false} = {}){
+  const header = el(0x1A45DFA3, [el(0x4282, new Uint8Array([0x77, 0x65, 0x62, 0x6D]))]);
+  const info = el(0x1549A966, [el(0x2AD7B1, 1e6)]);
+  const tracks = el(0x1654AE6B, [
+    el(0xAE, [el(0xD7, 1), el(0x83, 1)]),
+    el(0xAE, [el(0xD7, 2), el(0x83, 2)])
+  ]);
+  const body = clusters.map(c => el(0x1F43B675, [
+    el(0xE7, c.tc),
+    block(2, 0, true),
+    ...Array.from({length: c.frames || 10}, (_, i) => block(1, i * 100, i === 0 && c.key))
+  ], !knownSize));
+  return new Uint8Array([...header, ...el(0x18538067, [info, tracks, ...body], !knownSize)]);
+}
+const join = parts => new Uint8Array(parts.flatMap(p => [...p]));
+// Times of the video blocks in a file: the track number follows the 1-byte id and 8-byte size
+function videoTimes(buf){
+  return parseWebm(buf).clusters.flatMap(c => c.children
+    .filter(ch => ch.id === 0xA3 && buf[ch.start + 9] === 0x81).map(ch => c.tc + ch.rel));
+}
+
+const everySecond = recording([0, 1000, 2000, 3000].map(tc => ({tc, key: true})));
+
+test('parses the tracks, timecode scale and clusters', () => {
+  const webm = parseWebm(everySecond);
+  assert.strictEqual(webm.scale, 1e6);
+  assert.deepStrictEqual([...webm.videoTracks], [1]);
+  assert.deepStrictEqual(webm.clusters.map(c => [c.tc, c.key]), [[0, true], [1000, true], [2000, true], [3000, true]]);
+  // The audio block leading each Cluster does not decide whether it starts on a keyframe
+  assert.strictEqual(webm.clusters[0].children.length, 11);
+});
+
+test('a cut starts at the keyframe before the handle and rebases timecodes', () => {
+  const cut = cutWebm(everySecond, 1450, 2550, 100);
+  assert.deepStrictEqual([cut.start, cut.end], [1000, 2550]);
+  const bytes = join(cut.parts);
+  const out = parseWebm(bytes);
+  assert.deepStrictEqual(out.clusters.map(c => [c.tc, c.key]), [[0, true], [1000, true]]);
+  // Blocks at or after the cut-out point are dropped; each Cluster keeps its leading audio block
+  assert.deepStrictEqual(videoTimes(bytes), Array.from({length: 16}, (_, i) => i * 100));
+  assert.strictEqual(out.clusters[1].children.length, 1 + 6);
+});
+
+test('the end covers the last kept frame when the recording ends first', () => {
+  const cut = cutWebm(everySecond, 0, 60000, 100);
+  assert.deepStrictEqual([cut.start, cut.end], [0, 4000]);
+  assert.strictEqual(videoTimes(join(cut.parts)).length, 40);
+});
+
+test('clusters that open on a delta frame are not cut into', () => {
+  const sparse = recording([{tc: 0, key: true}, {tc: 1000}, {tc: 2000, key: true}, {tc: 3000}]);
+  assert.strictEqual(cutWebm(sparse, 1800, 4000, 100).start, 0);
+  assert.strictEqual(cutWebm(sparse, 3200, 4000, 100).start, 2000);
+});
+
+test('known-size Segment and Clusters cut the same', () => {
+  const known = recording([0, 1000, 2000].map(tc => ({tc, key: true})), {knownSize: true});
+  const cut = cutWebm(known, 1200, 3000, 100);
+  assert.strictEqual(cut.start, 1000);
+  assert.deepStrictEqual(parseWebm(join(cut.parts)).clusters.map(c => c.tc), [0, 1000]);
+});
+
+test('a truncated last cluster keeps the blocks before the break', () => {
+  const cut = cutWebm(everySecond.subarray(0, everySecond.length - 5), 3000, 4000, 100);
+  assert.strictEqual(cut.start, 3000);
+  assert.strictEqual(videoTimes(join(cut.parts)).length, 9);
+});
+
+test('returns null when there is nothing it can cut', () => {
+  assert.strictEqual(cutWebm(new Uint8Array([0x00, 0x00, 0x01, 0xBA]), 0, 1000, 100), null);
+  assert.strictEqual(parseWebm(new Uint8Array(0)), null);
+  // No keyframe at or before the cut-in point
+  assert.strictEqual(cutWebm(recording([{tc: 0}, {tc: 1000}]), 1500, 2000, 100), null);
+});